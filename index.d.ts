@@ -1,4 +1,5 @@
 declare module 'retry-request' {
+  import type {Meter, Tracer} from '@opentelemetry/api';
   import * as request from 'request';
   import * as teenyRequest from 'teeny-request';
 
@@ -11,20 +12,318 @@ declare module 'retry-request' {
      * Set the defaults for `retryRequest`.
      */
     const defaults: retryRequest.Options;
+    /**
+     * Adapters for using other HTTP clients as `opts.request`.
+     */
+    const adapters: {
+      fetch(fetchImpl?: typeof globalThis.fetch): AdapterRequest;
+      undici(
+        undiciRequest: (
+          url: string,
+          options: {
+            method: string;
+            headers: {[key: string]: string};
+            body?: string | Buffer;
+            signal: AbortSignal;
+          },
+        ) => Promise<{
+          statusCode: number;
+          headers: {[key: string]: string | string[] | undefined};
+          body: NodeJS.ReadableStream;
+        }>,
+      ): AdapterRequest;
+    };
+    interface AdapterRequest {
+      (
+        reqOpts: request.Options,
+        callback: request.RequestCallback,
+      ): {abort: () => void};
+      (reqOpts: request.Options): NodeJS.ReadableStream & {abort: () => void};
+    }
+    /**
+     * The built-in backoff strategies, by name.
+     */
+    const backoffStrategies: Record<BackoffStrategyName, BackoffFunction>;
+    /**
+     * Options for the failures that Google APIs, gRPC and AWS clients retry,
+     * and the backoff they use.
+     */
+    const policies: {
+      googleApi: Partial<Options>;
+      grpc: Partial<Options>;
+      aws: Partial<Options>;
+    };
     /**
      * Determines the next retry based on the provided configuration.
      */
     function getNextRetryDelay(config: Options): number;
+    /**
+     * Make a request, resolving with the final response and body, or
+     * rejecting with the final error.
+     */
+    function promise(
+      requestOpts: request.Options,
+      opts?: Options,
+    ): Promise<PromiseResult> & RetryRequest;
+    interface PromiseResult {
+      response: request.Response;
+      body: request.Response['body'];
+    }
+    /**
+     * A budget of retries that can be shared between requests.
+     */
+    class RetryBudget {
+      constructor(options?: {
+        ratio?: number;
+        minRetriesPerSecond?: number;
+        ttl?: number;
+        clock?: Clock;
+      });
+      ratio: number;
+      minRetriesPerSecond: number;
+      ttl: number;
+      clock: Clock;
+      /**
+       * Record a successful request.
+       */
+      deposit(): void;
+      /**
+       * Take a retry out of the budget, if there is one to take.
+       */
+      tryWithdraw(): boolean;
+    }
+    /**
+     * Tracks failures per upstream, and stops requests from being sent to one
+     * that keeps failing until it has had time to recover.
+     */
+    class CircuitBreaker {
+      constructor(options?: {
+        failureThreshold?: number;
+        cooldown?: number;
+        key?: (requestOpts: request.Options) => string;
+        clock?: Clock;
+      });
+      failureThreshold: number;
+      cooldown: number;
+      key: (requestOpts: request.Options) => string;
+      clock: Clock;
+      getState(key: string): 'closed' | 'open' | 'half-open';
+      /**
+       * Whether a request may be sent, reserving the one request allowed
+       * through a half-open circuit.
+       */
+      allowRequest(key: string): boolean;
+      recordSuccess(key: string): void;
+      recordFailure(key: string): void;
+    }
+    /**
+     * The error given when a request is refused because its circuit is open.
+     */
+    class CircuitOpenError extends Error {
+      key: string;
+    }
+    /**
+     * The error given when a request is cancelled through `opts.signal`.
+     */
+    class AbortError extends Error {
+      code: 'ABORT_ERR';
+    }
+    /**
+     * The error an attempt fails with when it takes longer than
+     * `attemptTimeout`.
+     */
+    class AttemptTimeoutError extends Error {
+      code: 'ETIMEDOUT';
+    }
+    /**
+     * The error given when `totalTimeout` runs out before another attempt can
+     * be made.
+     */
+    class RetryTimeoutError extends RetryError {
+      attemptCount: number;
+    }
+    /**
+     * The error given up with once the last attempt has failed, when
+     * `retryError` is set.
+     */
+    class RetryError extends Error {
+      attempts: AttemptRecord[];
+      elapsedMs: number;
+      lastError: Error | null | undefined;
+      lastResponse: request.RequestResponse | undefined;
+    }
+    type LogMethod = (
+      record: {[key: string]: unknown},
+      message: string,
+    ) => void;
+    interface Logger {
+      debug?: LogMethod;
+      info?: LogMethod;
+      warn?: LogMethod;
+    }
+    interface Clock {
+      now(): number;
+    }
+    interface Scheduler {
+      setTimeout(callback: () => void, ms: number): unknown;
+      clearTimeout(timeout: unknown): void;
+    }
+    namespace testing {
+      /**
+       * Virtual time for tests, with `clock`, `random` and `scheduler`
+       * options that only move on when told to.
+       */
+      class FakeTimers {
+        constructor(options?: {now?: number; seed?: number});
+        clock: Clock;
+        random: () => number;
+        scheduler: Scheduler;
+        /**
+         * The `clock`, `random` and `scheduler` options to make a request
+         * with.
+         */
+        readonly options: Pick<Options, 'clock' | 'random' | 'scheduler'>;
+        /**
+         * Move time on by `ms`, running the timers that are due on the way.
+         */
+        tick(ms: number): void;
+        /**
+         * Run timers, including those they set, until there are none left.
+         */
+        runAll(limit?: number): void;
+        /**
+         * As `runAll()`, but letting the event loop turn before each timer.
+         */
+        runAllAsync(limit?: number): Promise<void>;
+      }
+    }
+    interface AttemptRecord {
+      timestamp: number;
+      delayMs: number;
+      durationMs?: number;
+      statusCode?: number;
+      errorCode?: string;
+      error?: Error;
+    }
     interface Options {
       objectMode?: boolean;
-      request: typeof request | teenyRequestFunction;
+      request: typeof request | teenyRequestFunction | AdapterRequest;
       retries?: number;
       noResponseRetries?: number;
+      idempotentMethods?: string[];
+      generateIdempotencyKey?: boolean;
       currentRetryAttempt?: number;
+      legacyAttemptAccounting?: boolean;
+      state?: RetryState;
       maxRetryDelay?: number;
       retryDelayMultiplier?: number;
+      backoff?: BackoffStrategyName | BackoffFunction;
+      initialRetryDelay?: number;
+      jitter?: number;
       totalTimeout?: number;
-      shouldRetryFn?: (response: request.RequestResponse) => boolean;
+      attemptTimeout?: number;
+      hedgingDelay?: number;
+      maxHedgedRequests?: number;
+      signal?: AbortSignal;
+      retryBudget?: RetryBudget;
+      circuitBreaker?: CircuitBreaker;
+      endpoints?: string[];
+      endpointSelection?: 'failover' | 'round-robin' | 'prefer-healthy';
+      resumable?: boolean;
+      bufferUpload?: boolean;
+      peekBody?: boolean;
+      maxUploadMemory?: number;
+      retryError?: boolean;
+      logger?: Logger;
+      tracer?: Tracer;
+      meter?: Meter;
+      clock?: Clock;
+      random?: () => number;
+      scheduler?: Scheduler;
+      respectRetryAfter?: boolean;
+      respectRateLimitReset?: boolean;
+      shouldRetryFn?: (
+        response: request.RequestResponse,
+        body?: unknown,
+      ) => boolean;
+      retryPredicate?: (
+        err: Error | null,
+        response: request.RequestResponse | undefined,
+        attempt: number,
+        body?: unknown,
+      ) => boolean;
+      beforeRetry?: (
+        requestOpts: request.Options,
+        info: BeforeRetryInfo,
+      ) => request.Options | void | Promise<request.Options | void>;
+      onAttempt?: (info: AttemptInfo) => void;
+      onRetry?: (info: RetryInfo) => void;
+      onGiveUp?: (info: GiveUpInfo) => void;
+    }
+    type BackoffStrategyName =
+      | 'exponential'
+      | 'full-jitter'
+      | 'equal-jitter'
+      | 'decorrelated-jitter'
+      | 'linear'
+      | 'constant'
+      | 'fibonacci';
+    type BackoffFunction = (config: BackoffConfig) => number;
+    interface BackoffConfig {
+      initialRetryDelayMs: number;
+      jitterMs: number;
+      previousRetryDelayMs: number | undefined;
+      random: () => number;
+      retryDelayMultiplier: number;
+      retryNumber: number;
+    }
+    interface BeforeRetryInfo {
+      attempt: number;
+      attemptCounts: AttemptCounts;
+      lastError: Error | null | undefined;
+      lastResponse: request.RequestResponse | undefined;
+    }
+    interface AttemptInfo {
+      attempt: number;
+      attemptCounts: AttemptCounts;
+      elapsedMs: number;
+    }
+    /**
+     * The attempts made by a call to `retryRequest`.
+     */
+    interface AttemptCounts {
+      total: number;
+      /**
+       * Attempts with a response that should be retried, which `retries`
+       * limits the retries of.
+       */
+      responseFailures: number;
+      /**
+       * Attempts that failed without a response, which `noResponseRetries`
+       * limits the retries of.
+       */
+      noResponseFailures: number;
+    }
+    /**
+     * A snapshot of a retry sequence, from `getState()`, that can be
+     * serialized to resume the sequence from with `opts.state`.
+     */
+    interface RetryState {
+      currentRetryAttempt: number;
+      attemptCounts: AttemptCounts;
+      timeOfFirstRequest: number;
+      previousRetryDelay?: number;
+    }
+    interface RetryRequest {
+      abort: () => void;
+      getState: () => RetryState;
+    }
+    interface GiveUpInfo extends AttemptInfo {
+      error: Error | null | undefined;
+      statusCode: number | undefined;
+    }
+    interface RetryInfo extends GiveUpInfo {
+      delay: number;
     }
   }
 
@@ -32,11 +331,11 @@ declare module 'retry-request' {
     requestOpts: request.Options,
     opts: retryRequest.Options,
     callback?: request.RequestCallback,
-  ): {abort: () => void};
+  ): retryRequest.RetryRequest;
   function retryRequest(
     requestOpts: request.Options,
     callback?: request.RequestCallback,
-  ): {abort: () => void};
+  ): retryRequest.RetryRequest;
 
   export = retryRequest;
 }
@@ -1,6 +1,13 @@
 'use strict';
 
-const {PassThrough} = require('stream');
+/* global AbortController */
+
+const {randomUUID} = require('crypto');
+const {EventEmitter, once} = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {Duplex, PassThrough, Readable, Transform, Writable} = require('stream');
 const extend = require('extend');
 
 let debug = () => {};
@@ -8,13 +15,133 @@ if (
   typeof process !== 'undefined' &&
   'env' in process &&
   typeof process.env === 'object' &&
-  process.env.DEBUG === 'retry-request'
+  isDebugEnabled(process.env.DEBUG || '', 'retry-request')
 ) {
   debug = message => {
     console.log('retry-request:', message);
   };
 }
 
+// Whether a `DEBUG` value, such as "retry-request", "retry-*" or
+// "*,-retry-request", enables `namespace`, as it would for the debug package.
+function isDebugEnabled(debugEnv, namespace) {
+  let enabled = false;
+
+  for (let pattern of debugEnv.split(/[\s,]+/).filter(Boolean)) {
+    const skip = pattern.startsWith('-');
+    if (skip) {
+      pattern = pattern.slice(1);
+    }
+
+    const patternRegExp = new RegExp(
+      `^${pattern
+        .split('*')
+        .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*')}$`,
+    );
+
+    if (patternRegExp.test(namespace)) {
+      if (skip) {
+        return false;
+      }
+
+      enabled = true;
+    }
+  }
+
+  return enabled;
+}
+
+// Query parameters that are left out of logged URLs, as they may be
+// credentials.
+const REDACTED_QUERY_PARAMS = [
+  'access_token',
+  'api_key',
+  'apikey',
+  'key',
+  'password',
+  'sig',
+  'signature',
+  'token',
+  'x-amz-credential',
+  'x-amz-signature',
+  'x-goog-credential',
+  'x-goog-signature',
+];
+
+/*
+  Each strategy returns the delay in milliseconds before retry number
+  `retryNumber`, before it is capped by `maxRetryDelay` and `totalTimeout`.
+*/
+const BACKOFF_STRATEGIES = {
+  exponential: function (config) {
+    const {initialRetryDelayMs, jitterMs, random, retryDelayMultiplier} =
+      config;
+    return (
+      initialRetryDelayMs * Math.pow(retryDelayMultiplier, config.retryNumber) +
+      random() * jitterMs
+    );
+  },
+
+  // https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/
+  'full-jitter': function (config) {
+    const {initialRetryDelayMs, random, retryDelayMultiplier} = config;
+    return (
+      random() *
+      initialRetryDelayMs *
+      Math.pow(retryDelayMultiplier, config.retryNumber)
+    );
+  },
+
+  'equal-jitter': function (config) {
+    const {initialRetryDelayMs, random, retryDelayMultiplier} = config;
+    const delay =
+      initialRetryDelayMs * Math.pow(retryDelayMultiplier, config.retryNumber);
+    return delay / 2 + (random() * delay) / 2;
+  },
+
+  'decorrelated-jitter': function (config) {
+    const {initialRetryDelayMs, previousRetryDelayMs, random} = config;
+    const previous = previousRetryDelayMs || initialRetryDelayMs;
+    return (
+      initialRetryDelayMs + random() * (previous * 3 - initialRetryDelayMs)
+    );
+  },
+
+  linear: function (config) {
+    const {initialRetryDelayMs, jitterMs, random} = config;
+    return initialRetryDelayMs * config.retryNumber + random() * jitterMs;
+  },
+
+  constant: function (config) {
+    const {initialRetryDelayMs, jitterMs, random} = config;
+    return initialRetryDelayMs + random() * jitterMs;
+  },
+
+  fibonacci: function (config) {
+    const {initialRetryDelayMs, jitterMs, random} = config;
+
+    let [previous, current] = [0, 1];
+    for (let i = 1; i < config.retryNumber; i++) {
+      [previous, current] = [current, previous + current];
+    }
+
+    return initialRetryDelayMs * current + random() * jitterMs;
+  },
+};
+
+// How the endpoint for each attempt is chosen, when `endpoints` are given.
+const ENDPOINT_SELECTIONS = ['failover', 'round-robin', 'prefer-healthy'];
+
+const SYSTEM_CLOCK = {
+  now: () => Date.now(),
+};
+
+const SYSTEM_SCHEDULER = {
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: timeout => clearTimeout(timeout),
+};
+
 const DEFAULTS = {
   objectMode: false,
   retries: 2,
@@ -32,6 +159,23 @@ const DEFAULTS = {
   */
   retryDelayMultiplier: 2,
 
+  /*
+    How the delay grows between retries: the name of one of the
+    BACKOFF_STRATEGIES, or a function that returns the delay in milliseconds.
+  */
+  backoff: 'exponential',
+
+  /*
+    The delay in seconds that the backoff strategy grows from.
+  */
+  initialRetryDelay: 1,
+
+  /*
+    The most random delay in seconds that the backoff strategy may add, so that
+    clients retrying at the same time spread out.
+  */
+  jitter: 1,
+
   /*
     The length of time to keep retrying in seconds. The last sleep period will
     be shortened as necessary, so that the last retry runs at deadline (and not
@@ -41,6 +185,119 @@ const DEFAULTS = {
    */
   totalTimeout: 600,
 
+  /*
+    The length of time in seconds to wait for a response to a single attempt,
+    before aborting it and counting it as a failure to get a response. `0`
+    disables the timeout.
+  */
+  attemptTimeout: 0,
+
+  /*
+    In callback mode, the length of time in seconds to wait for a response to
+    an attempt before sending the same request again alongside it. The first
+    successful response is used, and the other attempts are aborted. `0`
+    disables hedging.
+  */
+  hedgingDelay: 0,
+
+  /*
+    The most hedged requests to send for each attempt.
+  */
+  maxHedgedRequests: 1,
+
+  /*
+    In stream mode, resume a download that fails mid-body with a `Range`
+    request, rather than failing the stream.
+  */
+  resumable: false,
+
+  /*
+    Whether a `Retry-After` header on a retried response should be used as the
+    delay before the next attempt, instead of the calculated backoff.
+  */
+  respectRetryAfter: true,
+
+  /*
+    Whether a `RateLimit-Reset` or `X-RateLimit-Reset` header on a retried
+    response should be used as the delay before the next attempt, when there is
+    no `Retry-After` header to go by.
+  */
+  respectRateLimitReset: false,
+
+  /*
+    The request methods that are safe to retry. Requests with other methods
+    are only retried when they have an `Idempotency-Key` header.
+  */
+  idempotentMethods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+
+  /*
+    Whether to give requests with other methods an `Idempotency-Key` header,
+    if they don't have one, so that they can be retried.
+  */
+  generateIdempotencyKey: false,
+
+  /*
+    Base URLs to send attempts to in place of the one in the request's `url`,
+    which keeps its path and query. Attempts move between them as set by
+    `endpointSelection`: `'failover'` moves on to the next endpoint when an
+    attempt fails, `'round-robin'` sends each attempt to the next endpoint in
+    turn, and `'prefer-healthy'` sends it to the one that has failed the least
+    for this request. Endpoints with an open circuit are passed over.
+  */
+  endpoints: [],
+  endpointSelection: 'failover',
+
+  /*
+    In stream mode, send what is written to the returned stream as the body of
+    each attempt. It is buffered, so that it can be sent again on a retry.
+  */
+  bufferUpload: false,
+
+  /*
+    In stream mode, wait for the first chunk of the response body, and give it
+    to `shouldRetryFn` or `retryPredicate` as the body, before deciding
+    whether to retry.
+  */
+  peekBody: false,
+
+  /*
+    The most bytes of a buffered upload to hold in memory. The rest is spooled
+    to a temporary file.
+  */
+  maxUploadMemory: 16 * 1024 * 1024,
+
+  /*
+    Whether to give up with a RetryError, which has the history of every
+    attempt, rather than with the last attempt's error. A response that is
+    still retryable once retries run out is then given up on with a RetryError
+    too.
+  */
+  retryError: false,
+
+  /*
+    Where the time comes from, as `{now()}` in milliseconds.
+  */
+  clock: SYSTEM_CLOCK,
+
+  /*
+    Where jitter comes from, as a function that returns a number from 0 up to
+    but not including 1.
+  */
+  random: Math.random,
+
+  /*
+    What waits between attempts, and for attempt and hedging timeouts, as
+    `{setTimeout(callback, ms), clearTimeout(timeout)}`.
+  */
+  scheduler: SYSTEM_SCHEDULER,
+
+  /*
+    Whether to count attempts as before attemptCounts: where a failed response
+    is only retried while fewer than `retries` attempts of any kind have been
+    made, and errors and failed responses each have their own backoff.
+  */
+  legacyAttemptAccounting: false,
+
   noResponseRetries: 2,
   currentRetryAttempt: 0,
   shouldRetryFn: function (response) {
@@ -58,7 +315,6 @@ const DEFAULTS = {
     ];
 
     const statusCode = response.statusCode;
-    debug(`Response status: ${statusCode}`);
 
     let range;
     while ((range = retryRanges.shift())) {
@@ -89,31 +345,171 @@ function retryRequest(requestOpts, opts, callback) {
     throw new Error('A request library must be provided to retry-request.');
   }
 
-  let currentRetryAttempt = opts.currentRetryAttempt;
+  if (
+    typeof opts.backoff !== 'function' &&
+    !Object.prototype.hasOwnProperty.call(BACKOFF_STRATEGIES, opts.backoff)
+  ) {
+    throw new Error(`Unknown backoff strategy: ${opts.backoff}.`);
+  }
+
+  if (!ENDPOINT_SELECTIONS.includes(opts.endpointSelection)) {
+    throw new Error(`Unknown endpoint selection: ${opts.endpointSelection}.`);
+  }
+
+  // Sending an unsafe request more than once could repeat its effects, unless
+  // the server can tell the attempts apart by their Idempotency-Key.
+  const method = (requestOpts.method || 'GET').toUpperCase();
+  const isIdempotentMethod = opts.idempotentMethods.includes(method);
+
+  if (
+    opts.generateIdempotencyKey &&
+    !isIdempotentMethod &&
+    !getHeader(requestOpts, 'idempotency-key')
+  ) {
+    requestOpts = extend({}, requestOpts, {
+      headers: extend({}, requestOpts.headers, {
+        'Idempotency-Key': randomUUID(),
+      }),
+    });
+  }
+
+  const methodAllowsRetries =
+    isIdempotentMethod || !!getHeader(requestOpts, 'idempotency-key');
+
+  if (opts.state && !isRetryState(opts.state)) {
+    throw new Error('Invalid retry state: it must come from `getState()`.');
+  }
+
+  const {clock, scheduler} = opts;
+
+  // The URL of the latest attempt, for logging.
+  let attemptUrl;
+
+  const telemetry = createTelemetry(
+    opts,
+    method,
+    redactUrl(requestOpts.url || requestOpts.uri),
+  );
+
+  // When resuming a retry sequence, it carries on from its saved state.
+  const state = opts.state || {
+    currentRetryAttempt: opts.currentRetryAttempt,
+    attemptCounts: {total: 0, responseFailures: 0, noResponseFailures: 0},
+  };
 
-  let numNoResponseAttempts = 0;
-  let streamResponseHandled = false;
+  let currentRetryAttempt = state.currentRetryAttempt;
+
+  // The attempts made in this retry sequence, and how many failed with a
+  // response that should be retried, or without a response.
+  const attemptCounts = extend({}, state.attemptCounts);
+  let previousRetryDelay = state.previousRetryDelay;
+
+  // What happened to each attempt, for a RetryError.
+  const attemptHistory = [];
+  let nextAttemptDelay = 0;
+
+  // The endpoint the next attempt starts looking from, and how many attempts
+  // to each endpoint have failed.
+  let nextEndpointIndex = 0;
+  const endpointFailures = opts.endpoints.map(() => 0);
+
+  // Resumable streams: how much of the body consumers already have, and what
+  // a resumed response must match to be a continuation of the same resource.
+  let bytesForwarded = 0;
+  let resumeValidators;
 
   let retryStream;
   let requestStream;
   let delayStream;
 
-  let activeRequest;
+  // Where the response body is written for consumers of the stream. Unless
+  // uploading, that is the returned stream itself.
+  let responseSink;
+
+  // Buffered uploads: all that has been written to the stream, and the copy
+  // of it being sent with the current attempt.
+  let uploadBuffer;
+  let uploadReplayStream;
+
+  // The attempts still waiting on a response. In callback mode, there can be
+  // more than one at a time when hedging.
+  const activeAttempts = new Set();
+  let respondingAttempt;
+  let numHedgedRequests = 0;
+  let hedgeTimeout;
+  let retryTimeout;
+
+  // Once aborted, no more attempts are made. When that was through
+  // `opts.signal`, nothing from the aborted attempt is passed on either.
+  let aborted = false;
+  let abortError;
+
   const retryRequest = {
     abort: function () {
-      if (activeRequest && activeRequest.abort) {
-        activeRequest.abort();
+      aborted = true;
+      scheduler.clearTimeout(retryTimeout);
+      scheduler.clearTimeout(hedgeTimeout);
+
+      if (streamMode) {
+        // The stream may be past its attempt, passing along the body.
+        resetStreams();
       }
+
+      activeAttempts.forEach(attempt => attempt.abort());
     },
+    getState: getState,
   };
 
-  if (streamMode) {
+  if (streamMode && opts.bufferUpload) {
+    createUploadStream();
+    retryStream.abort = retryRequest.abort;
+    retryStream.getState = getState;
+  } else if (streamMode) {
     retryStream = new PassThrough({objectMode: opts.objectMode});
-    retryStream.abort = resetStreams;
+    retryStream.abort = retryRequest.abort;
+    retryStream.getState = getState;
+    responseSink = retryStream;
+  }
+
+  if (opts.signal) {
+    if (streamMode) {
+      retryStream.on('close', removeAbortListener);
+    } else {
+      const originalCallback = callback;
+      callback = (...args) => {
+        removeAbortListener();
+        originalCallback(...args);
+      };
+    }
+
+    opts.signal.addEventListener('abort', onAbort);
+  }
+
+  if (opts.tracer) {
+    if (streamMode) {
+      retryStream
+        .on('end', () => telemetry.end())
+        .on('close', () => telemetry.end(retryStream.errored));
+    } else {
+      const originalCallback = callback;
+      callback = (...args) => {
+        telemetry.end(args[0]);
+        originalCallback(...args);
+      };
+    }
   }
 
-  const timeOfFirstRequest = Date.now();
-  if (currentRetryAttempt > 0) {
+  const timeOfFirstRequest =
+    typeof state.timeOfFirstRequest === 'number'
+      ? state.timeOfFirstRequest
+      : clock.now();
+  if (opts.signal && opts.signal.aborted) {
+    setImmediate(onAbort);
+  } else if (attemptCounts.total > 0) {
+    // The attempt in progress when the state was saved may never have been
+    // sent, so it is made again, after the delay its failure would have had.
+    retryAfterDelay(getRetryNumber());
+  } else if (currentRetryAttempt > 0) {
     retryAfterDelay(currentRetryAttempt);
   } else {
     makeRequest();
@@ -125,9 +521,73 @@ function retryRequest(requestOpts, opts, callback) {
     return retryRequest;
   }
 
+  // A snapshot of the retry sequence that can be serialized, to resume it
+  // from with `opts.state`.
+  function getState() {
+    return {
+      currentRetryAttempt,
+      attemptCounts: extend({}, attemptCounts),
+      timeOfFirstRequest,
+      previousRetryDelay,
+    };
+  }
+
+  function createUploadStream() {
+    uploadBuffer = new UploadBuffer({maxMemory: opts.maxUploadMemory});
+
+    // Set while the consumer has not caught up with the response body.
+    let resumeResponse;
+
+    retryStream = new Duplex({
+      readableObjectMode: opts.objectMode,
+      write: function (chunk, encoding, callback) {
+        uploadBuffer.append(chunk).then(() => callback(), callback);
+      },
+      final: function (callback) {
+        uploadBuffer.end();
+        callback();
+      },
+      read: function () {
+        if (resumeResponse) {
+          const resume = resumeResponse;
+          resumeResponse = null;
+          resume();
+        }
+      },
+    });
+
+    responseSink = new Writable({
+      objectMode: opts.objectMode,
+      write: function (chunk, encoding, callback) {
+        if (retryStream.push(chunk)) {
+          callback();
+        } else {
+          resumeResponse = callback;
+        }
+      },
+      final: function (callback) {
+        retryStream.push(null);
+        callback();
+      },
+    });
+
+    retryStream.on('close', () => {
+      if (uploadReplayStream) {
+        uploadReplayStream.destroy();
+      }
+
+      uploadBuffer.destroy();
+    });
+  }
+
   function resetStreams() {
     delayStream = null;
 
+    if (uploadReplayStream) {
+      uploadReplayStream.destroy();
+      uploadReplayStream = null;
+    }
+
     if (requestStream) {
       requestStream.abort && requestStream.abort();
       requestStream.cancel && requestStream.cancel();
@@ -137,13 +597,58 @@ function retryRequest(requestOpts, opts, callback) {
       } else if (requestStream.end) {
         requestStream.end();
       }
+
+      requestStream = null;
     }
   }
 
-  function makeRequest() {
+  function makeRequest(isHedge) {
+    const target = selectTarget();
+
+    if (target.circuitOpen) {
+      if (isHedge) {
+        // The attempt already running can still succeed.
+        return;
+      }
+
+      const err = new CircuitOpenError(target.circuitKey);
+
+      // Give a stream's consumer the chance to listen for the error.
+      setImmediate(() => {
+        if (!abortError) {
+          fail(err);
+        }
+      });
+      return;
+    }
+
+    if (opts.endpointSelection === 'round-robin' && opts.endpoints.length) {
+      nextEndpointIndex = (target.endpointIndex + 1) % opts.endpoints.length;
+    }
+
     let finishHandled = false;
-    currentRetryAttempt++;
-    debug(`Current retry attempt: ${currentRetryAttempt}`);
+
+    // A hedged request is part of the attempt it is sent alongside.
+    if (!isHedge) {
+      currentRetryAttempt++;
+    }
+    attemptCounts.total++;
+    attemptUrl = target.requestOpts.url || target.requestOpts.uri;
+    log('debug', `Current retry attempt: ${currentRetryAttempt}`, {
+      attempt: currentRetryAttempt,
+    });
+    callHook('onAttempt', {
+      attempt: currentRetryAttempt,
+      attemptCounts: extend({}, attemptCounts),
+      elapsedMs: clock.now() - timeOfFirstRequest,
+    });
+
+    const attemptRecord = {
+      timestamp: clock.now(),
+      delayMs: isHedge ? opts.hedgingDelay * 1000 : nextAttemptDelay,
+    };
+    attemptHistory.push(attemptRecord);
+    const attemptTelemetry = telemetry.startAttempt(attemptRecord.delayMs);
 
     function handleFinish(args = []) {
       if (!finishHandled) {
@@ -152,11 +657,131 @@ function retryRequest(requestOpts, opts, callback) {
       }
     }
 
-    if (streamMode) {
-      streamResponseHandled = false;
+    // Only the first outcome of an attempt counts; anything it reports after
+    // that, or after being cancelled, is ignored.
+    let responseHandled = false;
+    let activeRequest;
+    let attemptTimeout;
+
+    const attempt = {
+      record: attemptRecord,
+      target,
+      telemetry: attemptTelemetry,
+      abort: function () {
+        scheduler.clearTimeout(attemptTimeout);
+        telemetry.endAttempt(attemptTelemetry);
+
+        if (streamMode) {
+          resetStreams();
+        } else if (activeRequest && activeRequest.abort) {
+          activeRequest.abort();
+        }
+      },
+      cancel: function () {
+        responseHandled = true;
+        activeAttempts.delete(attempt);
+        attempt.abort();
+      },
+    };
+    activeAttempts.add(attempt);
+
+    function handleResponse(err, response, body) {
+      if (responseHandled) {
+        return;
+      }
+
+      responseHandled = true;
+      scheduler.clearTimeout(attemptTimeout);
+      activeAttempts.delete(attempt);
+      respondingAttempt = attempt;
+      recordAttemptOutcome(attempt, err, response);
+      onResponse(err, response, body);
+    }
+
+    // With `peekBody`, a stream's response is judged by the first chunk of its
+    // body. The chunk still goes on to `delayStream`, so it is only looked at,
+    // not taken.
+    function peekBody(response) {
+      const attemptRequestStream = requestStream;
+
+      function onData(chunk) {
+        attemptRequestStream.removeListener('end', onEnd);
+        handleResponse(null, response, chunk);
+      }
+
+      function onEnd() {
+        attemptRequestStream.removeListener('data', onData);
+        handleResponse(null, response);
+      }
+
+      attemptRequestStream.once('data', onData).once('end', onEnd);
+    }
+
+    if (opts.attemptTimeout > 0) {
+      attemptTimeout = scheduler.setTimeout(() => {
+        const err = new AttemptTimeoutError(opts.attemptTimeout);
+        recordAttemptOutcome(attempt, err);
+
+        attempt.cancel();
+        respondingAttempt = attempt;
+        onResponse(err);
+      }, opts.attemptTimeout * 1000);
+    }
+
+    if (
+      !streamMode &&
+      methodAllowsRetries &&
+      opts.hedgingDelay > 0 &&
+      numHedgedRequests < opts.maxHedgedRequests
+    ) {
+      hedgeTimeout = scheduler.setTimeout(() => {
+        // A hedged request adds load as a retry does.
+        if (opts.retryBudget && !opts.retryBudget.tryWithdraw()) {
+          log('warn', 'Retry budget exhausted, not sending a hedged request');
+          return;
+        }
+
+        numHedgedRequests++;
+        log('debug', `Sending hedged request: ${numHedgedRequests}`, {
+          attempt: currentRetryAttempt,
+          hedge: numHedgedRequests,
+        });
+        makeRequest(true);
+      }, opts.hedgingDelay * 1000);
+    }
 
+    if (streamMode) {
       delayStream = new PassThrough({objectMode: opts.objectMode});
-      requestStream = opts.request(requestOpts);
+
+      // The adapters send a buffered upload as the request body. Other request
+      // libraries have it written to the stream they return.
+      let attemptRequestOpts = target.requestOpts;
+      const sendsUploadAsBody =
+        !!uploadBuffer && BODY_STREAM_ADAPTERS.has(opts.request);
+
+      if (uploadBuffer) {
+        uploadReplayStream = uploadBuffer.createReadStream();
+      }
+
+      if (sendsUploadAsBody) {
+        attemptRequestOpts = extend({}, attemptRequestOpts, {
+          body: uploadReplayStream,
+        });
+      }
+
+      requestStream = telemetry.run(attemptTelemetry, () =>
+        opts.request(attemptRequestOpts),
+      );
+
+      if (uploadBuffer && !sendsUploadAsBody && !isUploadSink(requestStream)) {
+        retryRequest.abort();
+        retryStream.destroy(
+          new Error(
+            'The request library does not take an upload for `bufferUpload`.',
+          ),
+        );
+        return;
+      }
 
       setImmediate(() => {
         retryStream.emit('request');
@@ -165,109 +790,1377 @@ function retryRequest(requestOpts, opts, callback) {
       requestStream
         // gRPC via google-cloud-node can emit an `error` as well as a `response`
         // Whichever it emits, we run with-- we can't run with both. That's what
-        // is up with the `streamResponseHandled` tracking.
-        .on('error', err => {
-          if (streamResponseHandled) {
-            return;
-          }
-
-          streamResponseHandled = true;
-          onResponse(err);
-        })
+        // is up with the `responseHandled` tracking.
+        .on('error', err => handleResponse(err))
         .on('response', (resp, body) => {
-          if (streamResponseHandled) {
-            return;
+          if (opts.peekBody) {
+            peekBody(resp);
+          } else {
+            handleResponse(null, resp, body);
           }
-
-          streamResponseHandled = true;
-          onResponse(null, resp, body);
         })
         .on('complete', (...params) => handleFinish(params))
         .on('finish', (...params) => handleFinish(params));
 
       requestStream.pipe(delayStream);
+
+      if (uploadBuffer) {
+        const attemptRequestStream = requestStream;
+
+        uploadReplayStream.on('error', err =>
+          attemptRequestStream.destroy(err),
+        );
+
+        if (!sendsUploadAsBody) {
+          uploadReplayStream.pipe(attemptRequestStream);
+        }
+      }
     } else {
-      activeRequest = opts.request(requestOpts, onResponse);
+      activeRequest = telemetry.run(attemptTelemetry, () =>
+        opts.request(target.requestOpts, handleResponse),
+      );
     }
   }
 
-  function retryAfterDelay(currentRetryAttempt) {
-    if (streamMode) {
-      resetStreams();
+  function onAbort() {
+    if (abortError) {
+      return;
     }
 
-    const nextRetryDelay = getNextRetryDelay({
-      maxRetryDelay: opts.maxRetryDelay,
-      retryDelayMultiplier: opts.retryDelayMultiplier,
-      retryNumber: currentRetryAttempt,
-      timeOfFirstRequest,
-      totalTimeout: opts.totalTimeout,
-    });
-    debug(`Next retry delay: ${nextRetryDelay}`);
+    removeAbortListener();
+    abortError = new AbortError(opts.signal.reason);
+    retryRequest.abort();
 
-    if (nextRetryDelay <= 0) {
-      numNoResponseAttempts = opts.noResponseRetries + 1;
-      return;
+    if (streamMode) {
+      retryStream.destroy(abortError);
+    } else {
+      callback(abortError);
     }
+  }
 
-    setTimeout(makeRequest, nextRetryDelay);
+  function removeAbortListener() {
+    opts.signal.removeEventListener('abort', onAbort);
   }
 
-  function onResponse(err, response, body) {
-    // An error such as DNS resolution.
-    if (err) {
-      numNoResponseAttempts++;
+  // The endpoint, request options and circuit to use for the next attempt.
+  function selectTarget() {
+    let target;
 
-      if (numNoResponseAttempts <= opts.noResponseRetries) {
-        retryAfterDelay(numNoResponseAttempts);
-      } else {
-        if (streamMode) {
-          retryStream.emit('error', err);
-          retryStream.end();
-        } else {
-          callback(err, response, body);
-        }
-      }
+    for (const endpointIndex of getEndpointOrder()) {
+      target = {
+        endpointIndex,
+        requestOpts: getAttemptRequestOpts(endpointIndex),
+      };
 
-      return;
-    }
+      if (!opts.circuitBreaker) {
+        return target;
+      }
 
-    // Send the response to see if we should try again.
-    // NOTE: "currentRetryAttempt" isn't accurate by default, as it counts
-    // the very first request sent as the first "retry". It is only accurate
-    // when a user provides their own "currentRetryAttempt" option at
-    // instantiation.
-    const adjustedCurrentRetryAttempt = manualCurrentRetryAttemptWasSet
-      ? currentRetryAttempt
-      : currentRetryAttempt - 1;
-    if (
-      adjustedCurrentRetryAttempt < opts.retries &&
-      opts.shouldRetryFn(response)
-    ) {
-      retryAfterDelay(currentRetryAttempt);
-      return;
-    }
+      target.circuitKey = opts.circuitBreaker.key(target.requestOpts);
+      if (opts.circuitBreaker.allowRequest(target.circuitKey)) {
+        return target;
+      }
 
-    // No more attempts need to be made, just continue on.
-    if (streamMode) {
-      retryStream.emit('response', response);
-      delayStream.pipe(retryStream);
-      requestStream.on('error', err => {
-        retryStream.destroy(err);
+      log('warn', `Circuit open for ${target.circuitKey}`, {
+        circuitKey: target.circuitKey,
       });
-    } else {
-      callback(err, response, body);
     }
+
+    target.circuitOpen = true;
+    return target;
   }
-}
 
-module.exports = retryRequest;
+  // The endpoints to try, in order, should the circuit of the first be open.
+  function getEndpointOrder() {
+    const numEndpoints = opts.endpoints.length;
 
-function getNextRetryDelay(config) {
-  const {
+    if (numEndpoints === 0) {
+      return [undefined];
+    }
+
+    const order = opts.endpoints.map(
+      (endpoint, i) => (nextEndpointIndex + i) % numEndpoints,
+    );
+
+    if (opts.endpointSelection === 'prefer-healthy') {
+      order.sort((a, b) => endpointFailures[a] - endpointFailures[b]);
+    }
+
+    return order;
+  }
+
+  function getAttemptRequestOpts(endpointIndex) {
+    let attemptRequestOpts = requestOpts;
+
+    if (endpointIndex !== undefined) {
+      const urlKey = !requestOpts.url && requestOpts.uri ? 'uri' : 'url';
+
+      attemptRequestOpts = extend({}, requestOpts, {
+        [urlKey]: resolveEndpoint(
+          opts.endpoints[endpointIndex],
+          requestOpts[urlKey],
+        ),
+      });
+    }
+
+    if (resumeValidators) {
+      // Pick up where the last attempt left off, as long as the resource is
+      // unchanged. A weak ETag can't be used for `If-Range`.
+      const {etag, lastModified} = resumeValidators;
+      const ifRange = etag && !etag.startsWith('W/') ? etag : lastModified;
+
+      attemptRequestOpts = extend({}, attemptRequestOpts, {
+        headers: extend(
+          {},
+          attemptRequestOpts.headers,
+          {Range: `bytes=${bytesForwarded}-`},
+          ifRange && {'If-Range': ifRange},
+        ),
+      });
+    }
+
+    return attemptRequestOpts;
+  }
+
+  function forwardResumableStream(response) {
+    const {statusCode} = response;
+
+    if (resumeValidators && statusCode !== 200 && statusCode !== 206) {
+      // A failed response that is no longer retried.
+      const err = new Error(
+        `Unable to resume the download: the response status was ${statusCode}.`,
+      );
+      err.statusCode = statusCode;
+
+      resetStreams();
+      retryStream.destroy(getGiveUpError(err, response));
+      return;
+    }
+
+    if (resumeValidators) {
+      const isContinuation =
+        statusCode === 206 &&
+        getHeader(response, 'etag') === resumeValidators.etag &&
+        getHeader(response, 'last-modified') === resumeValidators.lastModified;
+
+      if (!isContinuation) {
+        resetStreams();
+        retryStream.destroy(
+          new Error('Unable to resume the download: the resource has changed.'),
+        );
+        return;
+      }
+    } else {
+      retryStream.emit('response', response);
+
+      const etag = getHeader(response, 'etag');
+      const lastModified = getHeader(response, 'last-modified');
+
+      // Only a complete body can be resumed, and only when a resumed response
+      // can be checked to be of the same resource.
+      if (statusCode !== 200 || (!etag && !lastModified)) {
+        delayStream.pipe(responseSink);
+        requestStream.on('error', err => {
+          retryStream.destroy(err);
+        });
+        return;
+      }
+
+      resumeValidators = {etag, lastModified};
+    }
+
+    const source = delayStream;
+    let forwarding = true;
+
+    source
+      .on('data', chunk => {
+        if (forwarding) {
+          bytesForwarded += chunk.length;
+        }
+      })
+      .on('end', () => {
+        responseSink.end();
+      })
+      .pipe(responseSink, {end: false});
+
+    requestStream.on('error', err => {
+      // Anything still buffered will be requested again.
+      forwarding = false;
+      source.unpipe(responseSink);
+
+      attemptCounts.noResponseFailures++;
+      recordAttemptOutcome(respondingAttempt, err);
+
+      // An error is a failure of the endpoint whether or not it is retried.
+      recordOutcome(true);
+      const retryable = shouldRetry(err);
+
+      if (retryable && isWithinRetryLimit(err) && canRetry()) {
+        retryAfterDelay(getRetryNumber(err), err);
+      } else {
+        const giveUpErr = getGiveUpError(err);
+        giveUp(giveUpErr);
+        retryStream.destroy(giveUpErr);
+      }
+    });
+  }
+
+  function retryAfterDelay(retryNumber, err, response) {
+    if (streamMode) {
+      resetStreams();
+    }
+
+    numHedgedRequests = 0;
+
+    const nextRetryDelay = getNextRetryDelay({
+      backoff: opts.backoff,
+      initialRetryDelay: opts.initialRetryDelay,
+      jitter: opts.jitter,
+      maxRetryDelay: opts.maxRetryDelay,
+      previousRetryDelay,
+      retryDelayMultiplier: opts.retryDelayMultiplier,
+      retryNumber,
+      retryAfter: getServerRetryDelay(response, opts),
+      clock,
+      random: opts.random,
+      timeOfFirstRequest,
+      totalTimeout: opts.totalTimeout,
+    });
+    log('info', `Next retry delay: ${nextRetryDelay}`, {
+      attempt: currentRetryAttempt,
+      delayMs: nextRetryDelay,
+      statusCode: response && response.statusCode,
+      err,
+    });
+    previousRetryDelay = nextRetryDelay;
+    nextAttemptDelay = Math.max(nextRetryDelay, 0);
+
+    const elapsedMs = clock.now() - timeOfFirstRequest;
+    if (elapsedMs >= opts.totalTimeout * 1000) {
+      const timeoutErr = new RetryTimeoutError({
+        attemptCount: attemptCounts.total,
+        attempts: [...attemptHistory],
+        elapsedMs,
+        lastError: err,
+        lastResponse: response,
+      });
+
+      // This can happen before any attempt, when resuming from a state that
+      // has run out of time. Give a stream's consumer the chance to listen
+      // for the error.
+      setImmediate(() => {
+        if (!abortError) {
+          fail(timeoutErr, response);
+        }
+      });
+      return;
+    }
+
+    // Only retries of a failed attempt are reported, not the initial delay
+    // when resuming from a given `currentRetryAttempt`.
+    if (err || response) {
+      const retryInfo = {
+        attempt: currentRetryAttempt,
+        attemptCounts: extend({}, attemptCounts),
+        error: err,
+        statusCode: response && response.statusCode,
+        delay: nextRetryDelay,
+        elapsedMs,
+      };
+
+      telemetry.retry(retryInfo.delay);
+      callHook('onRetry', retryInfo);
+      if (streamMode) {
+        retryStream.emit('retry', retryInfo);
+      }
+    }
+
+    // A hook may have aborted the request.
+    if (aborted) {
+      return;
+    }
+
+    retryTimeout = scheduler.setTimeout(
+      () => {
+        if (err || response) {
+          prepareRetry(err, response);
+        } else {
+          makeRequest();
+        }
+      },
+      Math.max(nextRetryDelay, 0),
+    );
+  }
+
+  function prepareRetry(err, response) {
+    if (typeof opts.beforeRetry !== 'function') {
+      makeRequest();
+      return;
+    }
+
+    new Promise(resolve => {
+      resolve(
+        opts.beforeRetry(requestOpts, {
+          attempt: currentRetryAttempt + 1,
+          attemptCounts: extend({}, attemptCounts),
+          lastError: err,
+          lastResponse: response,
+        }),
+      );
+    }).then(
+      newRequestOpts => {
+        if (aborted) {
+          return;
+        }
+
+        if (newRequestOpts) {
+          requestOpts = newRequestOpts;
+        }
+
+        makeRequest();
+      },
+      beforeRetryErr => {
+        if (!aborted) {
+          fail(beforeRetryErr);
+        }
+      },
+    );
+  }
+
+  function giveUp(err, response) {
+    const giveUpInfo = {
+      attempt: currentRetryAttempt,
+      attemptCounts: extend({}, attemptCounts),
+      error: err,
+      statusCode: response && response.statusCode,
+      elapsedMs: clock.now() - timeOfFirstRequest,
+    };
+
+    log('warn', `Giving up after ${attemptCounts.total} attempt(s)`, {
+      attempt: giveUpInfo.attempt,
+      statusCode: giveUpInfo.statusCode,
+      err,
+      elapsedMs: giveUpInfo.elapsedMs,
+    });
+    telemetry.giveUp(err, response);
+    callHook('onGiveUp', giveUpInfo);
+  }
+
+  function fail(err, response, body) {
+    giveUp(err, response);
+
+    if (streamMode) {
+      retryStream.emit('error', err);
+      responseSink.end();
+    } else {
+      callback(err, response, body);
+    }
+  }
+
+  function recordAttemptOutcome(attempt, err, response) {
+    const record = attempt.record;
+    record.durationMs = clock.now() - record.timestamp;
+    telemetry.endAttempt(attempt.telemetry, err, response);
+
+    if (response) {
+      record.statusCode = response.statusCode;
+    }
+
+    if (err) {
+      record.error = err;
+      record.errorCode = err.code;
+    }
+  }
+
+  // The error to give up with once the last attempt has failed.
+  function getGiveUpError(err, response) {
+    if (!opts.retryError) {
+      return err;
+    }
+
+    return new RetryError({
+      attempts: [...attemptHistory],
+      elapsedMs: clock.now() - timeOfFirstRequest,
+      lastError: err,
+      lastResponse: response,
+    });
+  }
+
+  // Log to `opts.logger` as a record and a message, as pino and bunyan take
+  // them, or to the console when `DEBUG` enables retry-request.
+  function log(level, message, fields) {
+    if (!opts.logger) {
+      debug(message);
+      return;
+    }
+
+    if (typeof opts.logger[level] === 'function') {
+      const url = redactUrl(attemptUrl || requestOpts.url || requestOpts.uri);
+      opts.logger[level](extend({url}, fields), message);
+    }
+  }
+
+  function callHook(name, info) {
+    if (typeof opts[name] === 'function') {
+      opts[name](info);
+    }
+  }
+
+  function shouldRetry(err, response, body) {
+    if (typeof opts.retryPredicate === 'function') {
+      return opts.retryPredicate(err, response, currentRetryAttempt, body);
+    }
+
+    // Without a predicate, every error is treated as transient.
+    return err ? true : opts.shouldRetryFn(response, body);
+  }
+
+  function recordOutcome(failed) {
+    const {circuitKey, endpointIndex} = respondingAttempt.target;
+
+    if (failed && endpointIndex !== undefined) {
+      endpointFailures[endpointIndex]++;
+
+      if (opts.endpointSelection === 'failover') {
+        nextEndpointIndex = (endpointIndex + 1) % opts.endpoints.length;
+      }
+    }
+
+    if (!opts.circuitBreaker) {
+      return;
+    }
+
+    if (failed) {
+      opts.circuitBreaker.recordFailure(circuitKey);
+    } else {
+      opts.circuitBreaker.recordSuccess(circuitKey);
+    }
+  }
+
+  // Whether `retries`, or `noResponseRetries` after an error, allow another
+  // retry.
+  function isWithinRetryLimit(err) {
+    if (err) {
+      return attemptCounts.noResponseFailures <= opts.noResponseRetries;
+    }
+
+    if (opts.legacyAttemptAccounting) {
+      // NOTE: "currentRetryAttempt" isn't accurate by default, as it counts
+      // the very first request sent as the first "retry". It is only accurate
+      // when a user provides their own "currentRetryAttempt" option at
+      // instantiation.
+      const adjustedCurrentRetryAttempt = manualCurrentRetryAttemptWasSet
+        ? currentRetryAttempt
+        : currentRetryAttempt - 1;
+      return adjustedCurrentRetryAttempt < opts.retries;
+    }
+
+    // `currentRetryAttempt` is the number of retries already made elsewhere.
+    return (
+      opts.currentRetryAttempt + attemptCounts.responseFailures <= opts.retries
+    );
+  }
+
+  // The retry number that the backoff grows with. It counts every failure, so
+  // that the delay keeps growing when errors and failed responses alternate.
+  function getRetryNumber(err) {
+    if (opts.legacyAttemptAccounting) {
+      return err ? attemptCounts.noResponseFailures : currentRetryAttempt;
+    }
+
+    return (
+      opts.currentRetryAttempt +
+      attemptCounts.responseFailures +
+      attemptCounts.noResponseFailures
+    );
+  }
+
+  // Whether a failure that should be retried can be. As this takes a retry
+  // out of the budget, it is checked last.
+  function canRetry() {
+    if (aborted) {
+      return false;
+    }
+
+    if (!methodAllowsRetries) {
+      log(
+        'debug',
+        `Not retrying ${method} request without an Idempotency-Key`,
+        {
+          method,
+        },
+      );
+      return false;
+    }
+
+    if (opts.retryBudget && !opts.retryBudget.tryWithdraw()) {
+      log('warn', 'Retry budget exhausted');
+      return false;
+    }
+
+    return true;
+  }
+
+  function onResponse(err, response, body) {
+    // What an aborted attempt reports, such as the error that a request library
+    // may call back with, says nothing about the upstream, so it is only passed
+    // on. After `opts.signal` aborts, its AbortError has been passed on already.
+    if (aborted) {
+      if (!abortError && !streamMode) {
+        callback(err, response, body);
+      }
+
+      return;
+    }
+
+    // An error such as DNS resolution.
+    if (err) {
+      log('debug', `Attempt failed: ${err.message}`, {
+        attempt: currentRetryAttempt,
+        err,
+      });
+
+      // An error is a failure of the endpoint whether or not it is retried.
+      recordOutcome(true);
+      const retryable = shouldRetry(err, response, body);
+
+      if (activeAttempts.size > 0) {
+        // A hedged attempt is still running, and may yet succeed.
+        return;
+      }
+
+      // An attempt and its hedged requests fail once, with the last of them.
+      attemptCounts.noResponseFailures++;
+      scheduler.clearTimeout(hedgeTimeout);
+
+      if (retryable && isWithinRetryLimit(err) && canRetry()) {
+        retryAfterDelay(getRetryNumber(err), err);
+      } else {
+        fail(getGiveUpError(err, response), response, body);
+      }
+
+      return;
+    }
+
+    // Send the response to see if we should try again.
+    log('debug', `Response status: ${response.statusCode}`, {
+      attempt: currentRetryAttempt,
+      statusCode: response.statusCode,
+    });
+
+    const retryable = shouldRetry(null, response, body);
+    recordOutcome(retryable);
+
+    if (activeAttempts.size > 0) {
+      if (retryable) {
+        // A hedged attempt is still running, and may yet succeed.
+        return;
+      }
+
+      // This attempt won; the others are no longer needed.
+      activeAttempts.forEach(attempt => attempt.cancel());
+    }
+
+    if (retryable) {
+      attemptCounts.responseFailures++;
+    }
+
+    scheduler.clearTimeout(hedgeTimeout);
+
+    if (retryable) {
+      if (isWithinRetryLimit() && canRetry()) {
+        retryAfterDelay(getRetryNumber(), null, response);
+        return;
+      }
+
+      if (opts.retryError) {
+        if (streamMode) {
+          resetStreams();
+        }
+
+        fail(getGiveUpError(null, response), response, body);
+        return;
+      }
+
+      giveUp(null, response);
+    } else if (opts.retryBudget) {
+      opts.retryBudget.deposit();
+    }
+
+    // No more attempts need to be made, just continue on.
+    if (streamMode && opts.resumable) {
+      forwardResumableStream(response);
+    } else if (streamMode) {
+      retryStream.emit('response', response);
+      delayStream.pipe(responseSink);
+      requestStream.on('error', err => {
+        retryStream.destroy(err);
+      });
+    } else {
+      callback(err, response, body);
+    }
+  }
+}
+
+module.exports = retryRequest;
+
+function redactUrl(url) {
+  if (url === undefined) {
+    return url;
+  }
+
+  return String(url)
+    .replace(/^([a-z][a-z\d+.-]*:\/\/)[^/?#]*@/i, '$1REDACTED@')
+    .replace(/([?&])([^=&#]+)=([^&#]*)/g, (param, separator, name) => {
+      return REDACTED_QUERY_PARAMS.includes(name.toLowerCase())
+        ? `${separator}${name}=REDACTED`
+        : param;
+    });
+}
+
+const METER_INSTRUMENTS = new WeakMap();
+
+function getMeterInstruments(meter) {
+  if (!METER_INSTRUMENTS.has(meter)) {
+    METER_INSTRUMENTS.set(meter, {
+      attempts: meter.createCounter('retry_request.attempts', {
+        description: 'Attempts sent, including the first.',
+        unit: '{attempt}',
+      }),
+      retries: meter.createCounter('retry_request.retries', {
+        description: 'Retries scheduled after a failed attempt.',
+        unit: '{retry}',
+      }),
+      giveUps: meter.createCounter('retry_request.give_ups', {
+        description: 'Requests given up on after a failed attempt.',
+        unit: '{request}',
+      }),
+      backoffDelay: meter.createHistogram('retry_request.backoff_delay', {
+        description: 'Time waited before a retry.',
+        unit: 'ms',
+      }),
+    });
+  }
+
+  return METER_INSTRUMENTS.get(meter);
+}
+
+/*
+  OpenTelemetry instrumentation for a request, given `opts.tracer` or
+  `opts.meter`. The tracer gets a span for the request as a whole, with a child
+  span for each attempt that the request library is called within. The meter
+  counts attempts, retries and give-ups, and records each backoff delay.
+*/
+function createTelemetry(opts, method, url) {
+  const {tracer, meter} = opts;
+
+  // Only needed, and so only required, when tracing.
+  const api = tracer && require('@opentelemetry/api');
+  const instruments = meter && getMeterInstruments(meter);
+  const attributes = {'http.request.method': method};
+
+  let requestSpan;
+  let requestContext;
+  if (tracer) {
+    requestSpan = tracer.startSpan('retry-request', {
+      attributes: extend({'url.full': url}, attributes),
+    });
+    requestContext = api.trace.setSpan(api.context.active(), requestSpan);
+  }
+
+  let numAttempts = 0;
+  let lastStatusCode;
+  let lastError;
+  let ended = false;
+
+  function setErrorStatus(span, err, response) {
+    if (err) {
+      span.recordException(err);
+      span.setAttribute('error.type', err.code || err.name);
+      span.setStatus({code: api.SpanStatusCode.ERROR, message: err.message});
+    } else if (response && response.statusCode >= 400) {
+      span.setAttribute('error.type', String(response.statusCode));
+      span.setStatus({code: api.SpanStatusCode.ERROR});
+    }
+  }
+
+  return {
+    startAttempt: function (delayMs) {
+      numAttempts++;
+
+      if (instruments) {
+        instruments.attempts.add(1, attributes);
+      }
+
+      if (!tracer) {
+        return {};
+      }
+
+      const attemptAttributes = extend(
+        {'retry_request.backoff_delay_ms': delayMs},
+        attributes,
+      );
+      if (numAttempts > 1) {
+        attemptAttributes['http.resend_count'] = numAttempts - 1;
+      }
+
+      const span = tracer.startSpan(
+        'retry-request attempt',
+        {attributes: attemptAttributes},
+        requestContext,
+      );
+
+      return {span, context: api.trace.setSpan(requestContext, span)};
+    },
+
+    // Call the request library with the attempt's span active, so that the
+    // spans of any instrumented HTTP client are its children.
+    run: function (attemptTelemetry, makeAttempt) {
+      if (!attemptTelemetry.context) {
+        return makeAttempt();
+      }
+
+      return api.context.with(attemptTelemetry.context, makeAttempt);
+    },
+
+    endAttempt: function (attemptTelemetry, err, response) {
+      const span = attemptTelemetry.span;
+      if (!span || attemptTelemetry.ended) {
+        return;
+      }
+
+      attemptTelemetry.ended = true;
+
+      if (response) {
+        lastStatusCode = response.statusCode;
+        span.setAttribute('http.response.status_code', response.statusCode);
+      }
+
+      setErrorStatus(span, err, response);
+      span.end();
+    },
+
+    retry: function (delayMs) {
+      if (instruments) {
+        instruments.retries.add(1, attributes);
+        instruments.backoffDelay.record(delayMs, attributes);
+      }
+
+      if (requestSpan) {
+        requestSpan.addEvent('retry', {
+          'retry_request.backoff_delay_ms': delayMs,
+        });
+      }
+    },
+
+    giveUp: function (err, response) {
+      lastError = err;
+
+      if (instruments) {
+        const giveUpAttributes = extend({}, attributes);
+        if (err) {
+          giveUpAttributes['error.type'] = err.code || err.name;
+        } else if (response) {
+          giveUpAttributes['http.response.status_code'] = response.statusCode;
+        }
+
+        instruments.giveUps.add(1, giveUpAttributes);
+      }
+    },
+
+    end: function (err) {
+      if (!requestSpan || ended) {
+        return;
+      }
+
+      ended = true;
+      requestSpan.setAttribute('retry_request.attempt_count', numAttempts);
+
+      if (lastStatusCode !== undefined) {
+        requestSpan.setAttribute('http.response.status_code', lastStatusCode);
+      }
+
+      setErrorStatus(requestSpan, err || lastError);
+      requestSpan.end();
+    },
+  };
+}
+
+/**
+ * A budget of retries that can be shared between requests, so that during an
+ * outage, retries add at most a fraction of load on top of the requests that
+ * succeed.
+ *
+ * Over any `ttl` second window, `minRetriesPerSecond * ttl` retries are
+ * allowed, plus `ratio` retries for each successful request.
+ */
+class RetryBudget {
+  constructor({
+    ratio = 0.1,
+    minRetriesPerSecond = 10,
+    ttl = 10,
+    clock = SYSTEM_CLOCK,
+  } = {}) {
+    this.ratio = ratio;
+    this.minRetriesPerSecond = minRetriesPerSecond;
+    this.ttl = ttl;
+    this.clock = clock;
+
+    // One bucket per second of the window, oldest first.
+    this.buckets = [];
+  }
+
+  /**
+   * Record a successful request.
+   */
+  deposit() {
+    this.getCurrentBucket().deposits++;
+  }
+
+  /**
+   * Take a retry out of the budget, if there is one to take.
+   *
+   * @returns {boolean} Whether a retry may be made.
+   */
+  tryWithdraw() {
+    const bucket = this.getCurrentBucket();
+
+    let deposits = 0;
+    let withdrawals = 0;
+    this.buckets.forEach(windowBucket => {
+      deposits += windowBucket.deposits;
+      withdrawals += windowBucket.withdrawals;
+    });
+
+    const balance =
+      this.minRetriesPerSecond * this.ttl + deposits * this.ratio - withdrawals;
+
+    if (balance < 1) {
+      return false;
+    }
+
+    bucket.withdrawals++;
+    return true;
+  }
+
+  getCurrentBucket() {
+    const second = Math.floor(this.clock.now() / 1000);
+
+    while (this.buckets.length && this.buckets[0].second <= second - this.ttl) {
+      this.buckets.shift();
+    }
+
+    let bucket = this.buckets[this.buckets.length - 1];
+    if (!bucket || bucket.second !== second) {
+      bucket = {second, deposits: 0, withdrawals: 0};
+      this.buckets.push(bucket);
+    }
+
+    return bucket;
+  }
+}
+
+/**
+ * Tracks failures per upstream, and stops requests from being sent to one that
+ * keeps failing until it has had `cooldown` seconds to recover.
+ *
+ * A circuit starts out closed. After `failureThreshold` failures in a row it
+ * opens, and requests are refused. Once `cooldown` seconds have passed it is
+ * half-open, and a single request is let through: if that succeeds the circuit
+ * closes again, otherwise it re-opens.
+ */
+class CircuitBreaker {
+  constructor({
+    failureThreshold = 5,
+    cooldown = 30,
+    key = getCircuitKey,
+    clock = SYSTEM_CLOCK,
+  } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldown = cooldown;
+    this.key = key;
+    this.clock = clock;
+    this.circuits = new Map();
+  }
+
+  /**
+   * @param {string} key
+   * @returns {string} `'closed'`, `'open'` or `'half-open'`.
+   */
+  getState(key) {
+    const circuit = this.circuits.get(key);
+
+    if (!circuit || circuit.openedAt === undefined) {
+      return 'closed';
+    }
+
+    const cooledDown =
+      this.clock.now() - circuit.openedAt >= this.cooldown * 1000;
+    return cooledDown ? 'half-open' : 'open';
+  }
+
+  /**
+   * Whether a request may be sent, reserving the one request allowed through
+   * a half-open circuit.
+   *
+   * @param {string} key
+   * @returns {boolean}
+   */
+  allowRequest(key) {
+    const state = this.getState(key);
+
+    if (state === 'open') {
+      return false;
+    }
+
+    if (state === 'half-open') {
+      const circuit = this.circuits.get(key);
+
+      // A probe that never reports back should not keep the circuit shut.
+      const probeExpired =
+        this.clock.now() - circuit.probeStartedAt >= this.cooldown * 1000;
+
+      if (circuit.probeStartedAt !== undefined && !probeExpired) {
+        return false;
+      }
+
+      circuit.probeStartedAt = this.clock.now();
+    }
+
+    return true;
+  }
+
+  /**
+   * @param {string} key
+   */
+  recordSuccess(key) {
+    this.circuits.delete(key);
+  }
+
+  /**
+   * @param {string} key
+   */
+  recordFailure(key) {
+    const circuit = this.circuits.get(key) || {failures: 0};
+    circuit.failures++;
+
+    if (
+      circuit.failures >= this.failureThreshold ||
+      circuit.openedAt !== undefined
+    ) {
+      circuit.openedAt = this.clock.now();
+      circuit.probeStartedAt = undefined;
+    }
+
+    this.circuits.set(key, circuit);
+  }
+}
+
+function getCircuitKey(requestOpts) {
+  const url = requestOpts.url || requestOpts.uri;
+
+  try {
+    return new URL(url).host;
+  } catch (e) {
+    return String(url);
+  }
+}
+
+// The URL of a request to `endpoint`, with the path and query of `url`.
+function resolveEndpoint(endpoint, url) {
+  let path = url || '';
+
+  try {
+    const parsedUrl = new URL(url);
+    path = parsedUrl.pathname + parsedUrl.search + parsedUrl.hash;
+  } catch (e) {
+    // Already just a path.
+  }
+
+  if (!path.startsWith('/')) {
+    path = `/${path}`;
+  }
+
+  return endpoint.replace(/\/+$/, '') + path;
+}
+
+/**
+ * The error given when a request is refused because its circuit is open.
+ */
+class CircuitOpenError extends Error {
+  constructor(key) {
+    super(`The circuit for ${key} is open.`);
+
+    this.name = 'CircuitOpenError';
+    this.key = key;
+  }
+}
+
+/**
+ * The error given when a request is cancelled through `opts.signal`.
+ */
+class AbortError extends Error {
+  constructor(reason) {
+    super(
+      'The request was aborted.',
+      reason !== undefined ? {cause: reason} : undefined,
+    );
+
+    this.name = 'AbortError';
+    this.code = 'ABORT_ERR';
+  }
+}
+
+/**
+ * The error an attempt fails with when it takes longer than `attemptTimeout`.
+ */
+class AttemptTimeoutError extends Error {
+  constructor(attemptTimeout) {
+    super(`The attempt did not get a response within ${attemptTimeout}s.`);
+
+    this.name = 'AttemptTimeoutError';
+    this.code = 'ETIMEDOUT';
+  }
+}
+
+/**
+ * The error given up with once the last attempt has failed, when `retryError`
+ * is set, and the base of RetryTimeoutError. `attempts` has what happened to
+ * each attempt, in the order they were sent.
+ */
+class RetryError extends Error {
+  constructor({attempts, elapsedMs, lastError, lastResponse}, message) {
+    if (!message) {
+      const lastOutcome = lastError
+        ? `the last failed with: ${lastError.message}`
+        : `the last had status code ${lastResponse.statusCode}`;
+      message = `Gave up after ${attempts.length} attempt(s) in ${elapsedMs}ms; ${lastOutcome}`;
+    }
+
+    super(message, lastError ? {cause: lastError} : undefined);
+
+    this.name = 'RetryError';
+    this.attempts = attempts;
+    this.elapsedMs = elapsedMs;
+    this.lastError = lastError;
+    this.lastResponse = lastResponse;
+  }
+}
+
+/**
+ * The error given when `totalTimeout` runs out before another attempt can be
+ * made.
+ */
+class RetryTimeoutError extends RetryError {
+  constructor({attemptCount, attempts, elapsedMs, lastError, lastResponse}) {
+    super(
+      {attempts, elapsedMs, lastError, lastResponse},
+      `Retries stopped after ${attemptCount} attempt(s) and ${elapsedMs}ms, as the total timeout was exceeded.`,
+    );
+
+    this.name = 'RetryTimeoutError';
+    this.attemptCount = attemptCount;
+  }
+}
+
+/**
+ * Holds the body of an upload, so that it can be sent again with each attempt.
+ * The first `maxMemory` bytes are kept in memory, and the rest in a temporary
+ * file.
+ */
+class UploadBuffer extends EventEmitter {
+  constructor({maxMemory}) {
+    super();
+
+    this.maxMemory = maxMemory;
+    this.chunks = [];
+    this.memoryLength = 0;
+    this.length = 0;
+    this.ended = false;
+  }
+
+  /**
+   * @param {Buffer} chunk
+   * @returns {Promise} Resolves once the chunk can be read back.
+   */
+  async append(chunk) {
+    if (!this.file && this.memoryLength + chunk.length <= this.maxMemory) {
+      this.chunks.push(chunk);
+      this.memoryLength += chunk.length;
+    } else {
+      if (!this.file) {
+        this.filePath = path.join(
+          os.tmpdir(),
+          `retry-request-upload-${randomUUID()}`,
+        );
+        // Only readable by this user, as the upload may be private.
+        this.file = fs.promises.open(this.filePath, 'wx+', 0o600);
+      }
+
+      const fileHandle = await this.file;
+      await fileHandle.write(
+        chunk,
+        0,
+        chunk.length,
+        this.length - this.memoryLength,
+      );
+    }
+
+    this.length += chunk.length;
+    this.emit('change');
+  }
+
+  end() {
+    this.ended = true;
+    this.emit('change');
+  }
+
+  /**
+   * Release the memory and remove the temporary file.
+   */
+  destroy() {
+    this.chunks = [];
+    this.end();
+
+    if (this.file) {
+      const filePath = this.filePath;
+      this.file
+        .then(fileHandle => fileHandle.close())
+        .then(() => fs.promises.unlink(filePath))
+        .catch(() => {
+          // There is nothing else to clean up.
+        });
+      this.file = null;
+    }
+  }
+
+  /**
+   * @returns {Readable} A stream of the whole body, including anything not
+   *     yet appended when the stream is created.
+   */
+  createReadStream() {
+    return Readable.from(this.replay(), {objectMode: false});
+  }
+
+  async *replay() {
+    let position = 0;
+
+    while (position < this.length || !this.ended) {
+      if (position < this.length) {
+        const chunk = await this.read(position);
+        position += chunk.length;
+        yield chunk;
+      } else {
+        await once(this, 'change');
+      }
+    }
+  }
+
+  async read(position) {
+    if (position < this.memoryLength) {
+      let chunkStart = 0;
+
+      for (const chunk of this.chunks) {
+        if (position < chunkStart + chunk.length) {
+          return chunk.subarray(position - chunkStart);
+        }
+
+        chunkStart += chunk.length;
+      }
+    }
+
+    if (!this.file) {
+      throw new Error('The upload buffer has been destroyed.');
+    }
+
+    const fileHandle = await this.file;
+    const length = Math.min(this.length - position, 64 * 1024);
+    const {buffer, bytesRead} = await fileHandle.read(
+      Buffer.alloc(length),
+      0,
+      length,
+      position - this.memoryLength,
+    );
+
+    return buffer.subarray(0, bytesRead);
+  }
+}
+
+/**
+ * Virtual time for tests. Its `clock` and `scheduler` options only move on
+ * when told to, rather than with real time, and its `random` option gives the
+ * same numbers for the same `seed`.
+ *
+ * @example
+ * const timers = new retryRequest.testing.FakeTimers();
+ * retryRequest(url, extend({request}, timers.options), callback);
+ * timers.runAll();
+ */
+class FakeTimers {
+  constructor({now = 0, seed = 1} = {}) {
+    this.time = now;
+    this.timers = [];
+    this.lastTimerId = 0;
+
+    this.clock = {
+      now: () => this.time,
+    };
+
+    this.scheduler = {
+      setTimeout: (callback, ms) => {
+        const id = ++this.lastTimerId;
+        this.timers.push({id, callback, time: this.time + Math.max(ms, 0)});
+        return id;
+      },
+      clearTimeout: id => {
+        this.timers = this.timers.filter(timer => timer.id !== id);
+      },
+    };
+
+    // mulberry32
+    let state = seed >>> 0;
+    this.random = () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * The `clock`, `random` and `scheduler` options to make a request with.
+   */
+  get options() {
+    return {clock: this.clock, random: this.random, scheduler: this.scheduler};
+  }
+
+  /**
+   * Move time on by `ms`, running the timers that are due on the way,
+   * including those they set.
+   *
+   * @param {number} ms
+   */
+  tick(ms) {
+    const time = this.time + ms;
+
+    let timer;
+    while ((timer = this.getNextTimer()) && timer.time <= time) {
+      this.runTimer(timer);
+    }
+
+    this.time = time;
+  }
+
+  /**
+   * Run timers, including those they set, until there are none left.
+   *
+   * @param {number} [limit=1000] The most timers to run, in case they never
+   *     stop setting more.
+   */
+  runAll(limit = 1000) {
+    let timer;
+    while ((timer = this.getNextTimer())) {
+      if (limit-- <= 0) {
+        throw new Error('FakeTimers.runAll() ran too many timers.');
+      }
+
+      this.runTimer(timer);
+    }
+  }
+
+  /**
+   * As `runAll()`, but letting the event loop turn before each timer, for
+   * responses that arrive asynchronously.
+   *
+   * @param {number} [limit=1000]
+   * @returns {Promise}
+   */
+  async runAllAsync(limit = 1000) {
+    await new Promise(resolve => setImmediate(resolve));
+
+    let timer;
+    while ((timer = this.getNextTimer())) {
+      if (limit-- <= 0) {
+        throw new Error('FakeTimers.runAllAsync() ran too many timers.');
+      }
+
+      this.runTimer(timer);
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+
+  getNextTimer() {
+    return this.timers.reduce((next, timer) => {
+      return !next || timer.time < next.time ? timer : next;
+    }, undefined);
+  }
+
+  runTimer(timer) {
+    this.timers = this.timers.filter(({id}) => id !== timer.id);
+    this.time = Math.max(this.time, timer.time);
+    timer.callback();
+  }
+}
+
+function retryRequestPromise(requestOpts, opts) {
+  let request;
+  let rejectPromise;
+
+  // If retryRequest() throws, such as for invalid options, the promise is
+  // rejected with that error and there is no request.
+  const promise = new Promise((resolve, reject) => {
+    rejectPromise = reject;
+    request = retryRequest(requestOpts, opts, (err, response, body) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      resolve({response, body});
+    });
+  });
+
+  // The callback may never be called once aborted, so the promise is settled
+  // here, before the request library can call back with an error of its own.
+  promise.abort = function () {
+    rejectPromise(new AbortError());
+
+    if (request) {
+      request.abort();
+    }
+  };
+  promise.getState = function () {
+    return request && request.getState();
+  };
+  return promise;
+}
+
+function isRetryState(state) {
+  const {attemptCounts} = state;
+
+  return (
+    typeof state.currentRetryAttempt === 'number' &&
+    typeof state.timeOfFirstRequest === 'number' &&
+    !!attemptCounts &&
+    ['total', 'responseFailures', 'noResponseFailures'].every(
+      key => typeof attemptCounts[key] === 'number',
+    )
+  );
+}
+
+function getNextRetryDelay(config) {
+  const {
+    backoff = DEFAULTS.backoff,
+    initialRetryDelay = DEFAULTS.initialRetryDelay,
+    jitter = DEFAULTS.jitter,
     maxRetryDelay,
+    previousRetryDelay,
     retryDelayMultiplier,
     retryNumber,
+    retryAfter,
+    clock = SYSTEM_CLOCK,
+    random = Math.random,
     timeOfFirstRequest,
     totalTimeout,
   } = config;
@@ -275,12 +2168,28 @@ function getNextRetryDelay(config) {
   const maxRetryDelayMs = maxRetryDelay * 1000;
   const totalTimeoutMs = totalTimeout * 1000;
 
-  const jitter = Math.floor(Math.random() * 1000);
-  const calculatedNextRetryDelay =
-    Math.pow(retryDelayMultiplier, retryNumber) * 1000 + jitter;
+  let calculatedNextRetryDelay;
+  if (typeof retryAfter === 'number') {
+    // The server told us how long to wait.
+    calculatedNextRetryDelay = retryAfter;
+  } else {
+    const strategy =
+      typeof backoff === 'function' ? backoff : BACKOFF_STRATEGIES[backoff];
+
+    calculatedNextRetryDelay = Math.floor(
+      strategy({
+        initialRetryDelayMs: initialRetryDelay * 1000,
+        jitterMs: jitter * 1000,
+        previousRetryDelayMs: previousRetryDelay,
+        random,
+        retryDelayMultiplier,
+        retryNumber,
+      }),
+    );
+  }
 
   const maxAllowableDelayMs =
-    totalTimeoutMs - (Date.now() - timeOfFirstRequest);
+    totalTimeoutMs - (clock.now() - timeOfFirstRequest);
 
   return Math.min(
     calculatedNextRetryDelay,
@@ -289,5 +2198,438 @@ function getNextRetryDelay(config) {
   );
 }
 
+function getServerRetryDelay(response, config) {
+  if (!response) {
+    return;
+  }
+
+  if (config.respectRetryAfter) {
+    const retryAfter = getHeader(response, 'retry-after');
+
+    // Either delta-seconds ("120") or an HTTP-date, which starts with the
+    // day of the week. Anything else, such as "1.5", is ignored rather than
+    // left to `Date.parse`, which reads most numbers as a date.
+    if (/^\d+$/.test(retryAfter)) {
+      return Number(retryAfter) * 1000;
+    }
+
+    if (/^(Mon|Tue|Wed|Thu|Fri|Sat|Sun)/.test(retryAfter)) {
+      const retryAfterDate = Date.parse(retryAfter);
+      if (!isNaN(retryAfterDate)) {
+        return Math.max(retryAfterDate - config.clock.now(), 0);
+      }
+    }
+  }
+
+  if (config.respectRateLimitReset) {
+    const rateLimitReset =
+      getHeader(response, 'ratelimit-reset') ||
+      getHeader(response, 'x-ratelimit-reset');
+
+    if (/^\d+(\.\d+)?$/.test(rateLimitReset)) {
+      const seconds = Number(rateLimitReset);
+
+      // Some APIs send delta-seconds, others a Unix timestamp in seconds.
+      return seconds > 1e9
+        ? Math.max(seconds * 1000 - config.clock.now(), 0)
+        : seconds * 1000;
+    }
+  }
+}
+
+function getHeader(response, name) {
+  const headers = response.headers;
+
+  if (!headers) {
+    return;
+  }
+
+  let value;
+  if (typeof headers.get === 'function') {
+    value = headers.get(name);
+  } else {
+    const key = Object.keys(headers).find(key => key.toLowerCase() === name);
+    value = key && headers[key];
+  }
+
+  if (Array.isArray(value)) {
+    value = value[0];
+  }
+
+  return typeof value === 'string' ? value.trim() : value;
+}
+
+/*
+  Adapters turn a function that sends a request and resolves with a
+  `{statusCode, statusMessage, headers, body}` response, where `body` is a
+  readable stream, into a function that can be given as `opts.request`.
+*/
+// The adapters, which take a stream as the request body, for `bufferUpload`.
+const BODY_STREAM_ADAPTERS = new WeakSet();
+
+// Whether a request library's stream takes what is written to it as the
+// request body. A Transform, such as the PassThrough that teeny-request
+// returns, would pass it on as the response body instead.
+function isUploadSink(requestStream) {
+  return (
+    typeof requestStream.write === 'function' &&
+    requestStream.writable !== false &&
+    !(requestStream instanceof Transform)
+  );
+}
+
+function createRequestAdapter(send) {
+  const adapter = function (reqOpts, callback) {
+    const controller = new AbortController();
+    const responsePromise = send(toAdapterOptions(reqOpts), controller.signal);
+
+    if (typeof callback === 'function') {
+      responsePromise
+        .then(response => readAdapterBody(reqOpts, response))
+        .then(
+          ({response, body}) => callback(null, response, body),
+          err => callback(err),
+        );
+
+      return {abort: () => controller.abort()};
+    }
+
+    const requestStream = new PassThrough();
+    requestStream.abort = () => controller.abort();
+
+    responsePromise.then(
+      response => {
+        const body = response.body;
+        delete response.body;
+
+        requestStream.emit('response', response);
+        body
+          .on('error', err => requestStream.destroy(err))
+          .pipe(requestStream)
+          .on('finish', () => requestStream.emit('complete', response));
+      },
+      err => requestStream.destroy(err),
+    );
+
+    return requestStream;
+  };
+
+  BODY_STREAM_ADAPTERS.add(adapter);
+  return adapter;
+}
+
+function toAdapterOptions(reqOpts) {
+  const url = new URL(reqOpts.url || reqOpts.uri);
+  Object.entries(reqOpts.qs || {}).forEach(([key, value]) => {
+    url.searchParams.append(key, value);
+  });
+
+  const headers = extend({}, reqOpts.headers);
+  let body = reqOpts.body;
+
+  if (reqOpts.json && typeof reqOpts.json === 'object') {
+    body = reqOpts.json;
+  }
+
+  if (
+    body &&
+    typeof body === 'object' &&
+    !Buffer.isBuffer(body) &&
+    !(body instanceof Readable)
+  ) {
+    body = JSON.stringify(body);
+    headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+  }
+
+  return {
+    url: url.toString(),
+    method: (reqOpts.method || 'GET').toUpperCase(),
+    headers,
+    body,
+  };
+}
+
+function readAdapterBody(reqOpts, response) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+
+    response.body
+      .on('data', chunk => chunks.push(Buffer.from(chunk)))
+      .on('error', reject)
+      .on('end', () => {
+        let body = Buffer.concat(chunks).toString();
+
+        const contentType = getHeader(response, 'content-type') || '';
+        if (reqOpts.json || contentType.includes('application/json')) {
+          try {
+            body = JSON.parse(body);
+          } catch (e) {
+            // Not JSON after all; leave it as text.
+          }
+        }
+
+        response.body = body;
+        resolve({response, body});
+      });
+  });
+}
+
+const ADAPTERS = {
+  /**
+   * Use `fetch`, or the global one if none is given, as the request library.
+   */
+  fetch: function (fetchImpl = globalThis.fetch) {
+    return createRequestAdapter((options, signal) => {
+      return fetchImpl(options.url, {
+        method: options.method,
+        headers: options.headers,
+        body: options.body,
+        // Needed for a stream body, such as a buffered upload.
+        duplex: options.body instanceof Readable ? 'half' : undefined,
+        signal,
+      }).then(response => ({
+        statusCode: response.status,
+        statusMessage: response.statusText,
+        headers: Object.fromEntries(response.headers),
+        body: response.body
+          ? Readable.fromWeb(response.body)
+          : Readable.from([]),
+      }));
+    });
+  },
+
+  /**
+   * Use undici's `request` as the request library.
+   */
+  undici: function (undiciRequest) {
+    return createRequestAdapter((options, signal) => {
+      return undiciRequest(options.url, {
+        method: options.method,
+        headers: options.headers,
+        body: options.body,
+        signal,
+      }).then(response => ({
+        statusCode: response.statusCode,
+        headers: response.headers,
+        body: response.body,
+      }));
+    });
+  },
+};
+
+/*
+  Retry policies for well-known APIs: options with a `retryPredicate` for the
+  failures the API's own clients retry, and the backoff they use, to be
+  extended with the other options for a request.
+*/
+const GOOGLE_API_RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+const GOOGLE_API_RETRYABLE_REASONS = [
+  'backendError',
+  'internalError',
+  'rateLimitExceeded',
+  'userRateLimitExceeded',
+].map(normalizeErrorReason);
+
+// https://grpc.github.io/grpc/core/md_doc_statuscodes.html
+const GRPC_RETRYABLE_STATUS_CODES = [
+  4, // DEADLINE_EXCEEDED
+  8, // RESOURCE_EXHAUSTED
+  14, // UNAVAILABLE
+];
+const GRPC_RETRYABLE_HTTP_STATUS_CODES = [429, 502, 503, 504];
+
+const AWS_RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+const AWS_RETRYABLE_ERROR_CODES = [
+  'BandwidthLimitExceeded',
+  'EC2ThrottledException',
+  'InternalError',
+  'LimitExceededException',
+  'PriorRequestNotComplete',
+  'ProvisionedThroughputExceededException',
+  'RequestLimitExceeded',
+  'RequestThrottled',
+  'RequestThrottledException',
+  'RequestTimeout',
+  'RequestTimeoutException',
+  'ServiceUnavailable',
+  'SlowDown',
+  'ThrottledException',
+  'Throttling',
+  'ThrottlingException',
+  'TooManyRequestsException',
+  'TransactionInProgressException',
+];
+
+const POLICIES = {
+  /**
+   * Google APIs: network errors, 408, 429 and 5xx gateway errors, and errors
+   * whose reason in a JSON error body is a rate limit or backend error.
+   */
+  googleApi: {
+    retries: 5,
+    noResponseRetries: 5,
+    backoff: 'exponential',
+    initialRetryDelay: 1,
+    retryDelayMultiplier: 2,
+    maxRetryDelay: 32,
+    retryPredicate: function (err, response, attempt, body) {
+      if (err) {
+        return true;
+      }
+
+      if (GOOGLE_API_RETRYABLE_STATUS_CODES.includes(response.statusCode)) {
+        return true;
+      }
+
+      return getGoogleApiErrorReasons(getBody(response, body)).some(reason =>
+        GOOGLE_API_RETRYABLE_REASONS.includes(reason),
+      );
+    },
+  },
+
+  /**
+   * gRPC: the UNAVAILABLE, DEADLINE_EXCEEDED and RESOURCE_EXHAUSTED status
+   * codes, from an error's `code` or a response's `grpc-status` header, and
+   * connection errors.
+   */
+  grpc: {
+    retries: 4,
+    noResponseRetries: 4,
+    backoff: 'full-jitter',
+    initialRetryDelay: 0.1,
+    retryDelayMultiplier: 1.3,
+    maxRetryDelay: 60,
+    retryPredicate: function (err, response) {
+      if (err) {
+        return typeof err.code === 'number'
+          ? GRPC_RETRYABLE_STATUS_CODES.includes(err.code)
+          : true;
+      }
+
+      const grpcStatus = getHeader(response, 'grpc-status');
+      if (grpcStatus !== undefined && grpcStatus !== null) {
+        return GRPC_RETRYABLE_STATUS_CODES.includes(Number(grpcStatus));
+      }
+
+      return GRPC_RETRYABLE_HTTP_STATUS_CODES.includes(response.statusCode);
+    },
+  },
+
+  /**
+   * AWS: network errors, 429 and 5xx responses, and throttling and transient
+   * error codes, from an error's `code` or `name`, the `x-amzn-ErrorType`
+   * header, or an XML or JSON error body.
+   */
+  aws: {
+    retries: 2,
+    noResponseRetries: 2,
+    backoff: 'full-jitter',
+    initialRetryDelay: 0.1,
+    retryDelayMultiplier: 2,
+    maxRetryDelay: 20,
+    retryPredicate: function (err, response, attempt, body) {
+      if (err) {
+        const errorCode = err.code || err.name;
+        return (
+          !response ||
+          AWS_RETRYABLE_ERROR_CODES.includes(errorCode) ||
+          AWS_RETRYABLE_STATUS_CODES.includes(response.statusCode)
+        );
+      }
+
+      return (
+        AWS_RETRYABLE_STATUS_CODES.includes(response.statusCode) ||
+        AWS_RETRYABLE_ERROR_CODES.includes(
+          getAwsErrorCode(response, getBody(response, body)),
+        )
+      );
+    },
+  },
+};
+
+// The body given to a predicate, or else the one the request library may have
+// set on the response.
+function getBody(response, body) {
+  return body !== undefined ? body : response.body;
+}
+
+// Google APIs give reasons as "rateLimitExceeded" in `errors`, and as
+// "RATE_LIMIT_EXCEEDED" in `details`.
+function normalizeErrorReason(reason) {
+  return reason.replace(/_/g, '').toLowerCase();
+}
+
+function parseJsonBody(body) {
+  if (Buffer.isBuffer(body)) {
+    body = body.toString();
+  }
+
+  if (typeof body === 'string') {
+    try {
+      return JSON.parse(body);
+    } catch (e) {
+      return;
+    }
+  }
+
+  return body;
+}
+
+function getGoogleApiErrorReasons(body) {
+  const json = parseJsonBody(body);
+  const error = json && json.error;
+
+  if (!error || typeof error !== 'object') {
+    return [];
+  }
+
+  return []
+    .concat(error.errors || [], error.details || [])
+    .reduce((reasons, detail) => {
+      if (detail && typeof detail.reason === 'string') {
+        reasons.push(normalizeErrorReason(detail.reason));
+      }
+
+      return reasons;
+    }, []);
+}
+
+function getAwsErrorCode(response, body) {
+  const errorType = getHeader(response, 'x-amzn-errortype');
+  if (errorType) {
+    // "ThrottlingException:http://internal.amazon.com/coral/..."
+    return errorType.split(':')[0];
+  }
+
+  if (Buffer.isBuffer(body)) {
+    body = body.toString();
+  }
+
+  const xmlCode =
+    typeof body === 'string' && /<Code>([^<]+)<\/Code>/.exec(body);
+  if (xmlCode) {
+    return xmlCode[1];
+  }
+
+  const json = parseJsonBody(body);
+  const errorCode = json && (json.__type || json.code || json.Code);
+  if (typeof errorCode === 'string') {
+    // "com.amazonaws.dynamodb.v20120810#ThrottlingException"
+    return errorCode.split('#').pop();
+  }
+}
+
+module.exports.adapters = ADAPTERS;
+module.exports.backoffStrategies = BACKOFF_STRATEGIES;
 module.exports.defaults = DEFAULTS;
 module.exports.getNextRetryDelay = getNextRetryDelay;
+module.exports.policies = POLICIES;
+module.exports.promise = retryRequestPromise;
+module.exports.AbortError = AbortError;
+module.exports.AttemptTimeoutError = AttemptTimeoutError;
+module.exports.CircuitBreaker = CircuitBreaker;
+module.exports.CircuitOpenError = CircuitOpenError;
+module.exports.RetryBudget = RetryBudget;
+module.exports.RetryError = RetryError;
+module.exports.RetryTimeoutError = RetryTimeoutError;
+module.exports.testing = {FakeTimers};